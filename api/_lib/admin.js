@@ -0,0 +1,179 @@
+// 管理者認証とモデレーション用の共通処理
+// パスワードは scrypt のハッシュ（ADMIN_PASSWORD_HASH）だけを環境変数に置く。
+// ログインすると期限付きの署名トークンを返し、以降の管理APIは `Authorization: Bearer {token}` で呼ぶ。
+// ADMIN_PASSWORD_HASH が未設定なら管理APIはすべて拒否する。
+//
+// ハッシュの作り方:
+//   node -e "import('./api/_lib/admin.js').then(m => console.log(m.hashAdminPassword(process.argv[1])))" 'パスワード'
+
+import crypto from 'crypto';
+
+export const ADMIN_SESSION_TTL_MS = 60 * 60 * 1000;
+
+const SCRYPT_KEYLEN = 32;
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// トークンの署名鍵はパスワードのハッシュから作る（パスワードを変えると発行済みのトークンは無効になる）
+function sign(payload, passwordHash) {
+    return base64url(crypto.createHmac('sha256', `admin:${passwordHash}`).update(payload).digest());
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// scrypt${salt}${hash}（どちらも hex）
+export function hashAdminPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyAdminPassword(password, stored) {
+    if (typeof password !== 'string' || !password || typeof stored !== 'string') return false;
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !/^[0-9a-f]+$/.test(hash || '')) return false;
+    return safeEqual(hashAdminPassword(password, salt), stored);
+}
+
+export function createAdminToken(passwordHash, now = Date.now()) {
+    const expiresAt = now + ADMIN_SESSION_TTL_MS;
+    const payload = base64url(JSON.stringify({ sid: crypto.randomUUID(), exp: expiresAt }));
+    return { token: `${payload}.${sign(payload, passwordHash)}`, expiresAt };
+}
+
+function verifyAdminToken(token, passwordHash, now = Date.now()) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [payload, signature] = token.split('.');
+    if (!signature || !safeEqual(signature, sign(payload, passwordHash))) return null;
+    try {
+        const normalized = payload.replace(/-/g, '+').replace(/_/g, '/');
+        const session = JSON.parse(Buffer.from(normalized, 'base64').toString('utf8'));
+        return session.exp > now ? session : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// 管理者のリクエストか（問題なければ null、拒否する場合は { status, error }）
+export function checkAdminRequest(req, env = process.env) {
+    if (!env.ADMIN_PASSWORD_HASH) {
+        console.error('Admin request refused: ADMIN_PASSWORD_HASH is not configured');
+        return { status: 503, error: 'Admin access not configured' };
+    }
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+    return verifyAdminToken(token, env.ADMIN_PASSWORD_HASH) ? null : { status: 401, error: 'Unauthorized' };
+}
+
+// 管理操作の監査ログ
+export function auditRecord(req, action, details) {
+    return {
+        at: new Date().toISOString(),
+        action: action,
+        ip: req.headers['x-forwarded-for'] || null,
+        ...details
+    };
+}
+
+// エクスポート / インポートの列（CSVのヘッダー順）
+export const EXPORT_FIELDS = ['id', 'name', 'playerId', 'score', 'accuracy', 'efficiency', 'date', 'createdAt'];
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entries) {
+    const lines = [EXPORT_FIELDS.join(',')];
+    for (const entry of entries) {
+        lines.push(EXPORT_FIELDS.map(field => csvCell(entry[field])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+// ヘッダー行つきのCSVをオブジェクトの配列にする（引用符内の , と改行に対応）
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    row.push(cell);
+    if (row.some(value => value !== '')) rows.push(row);
+
+    const [header, ...body] = rows;
+    if (!header) return [];
+    const fields = header.map(name => name.trim().replace(/^﻿/, ''));
+    return body.map(values => Object.fromEntries(fields.map((field, i) => [field, values[i] ?? ''])));
+}
+
+// 名前のパターン（* は任意の文字列、大文字・小文字は区別しない）
+export function namePatternToRegExp(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+// 統計的に怪しいエントリ（レビュー済みのものは除く）
+// - efficiency_outlier: 効率値の修正Zスコア（中央値と MAD）が 3.5 を超える
+// - perfect_accuracy: 正確さ100%で、効率値が上位5%
+// - inconsistent: 効率値 ≠ スコア × 正確さ（編集・インポートで数値が食い違っている）
+const OUTLIER_Z = 3.5;
+const MIN_SAMPLE = 10;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export function findSuspiciousEntries(entries) {
+    const efficiencies = entries.map(entry => entry.efficiency);
+    const center = efficiencies.length > 0 ? median(efficiencies) : 0;
+    const mad = efficiencies.length > 0 ? median(efficiencies.map(value => Math.abs(value - center))) : 0;
+    const sorted = [...efficiencies].sort((a, b) => b - a);
+    const top5 = sorted[Math.max(0, Math.ceil(sorted.length * 0.05) - 1)];
+    const enoughSamples = entries.length >= MIN_SAMPLE;
+
+    const flagged = [];
+    for (const entry of entries) {
+        if (entry.reviewedAt) continue;
+        const reasons = [];
+        const z = mad > 0 ? 0.6745 * (entry.efficiency - center) / mad : 0;
+        if (enoughSamples && z > OUTLIER_Z) reasons.push('efficiency_outlier');
+        if (enoughSamples && entry.accuracy >= 100 && entry.efficiency >= top5) reasons.push('perfect_accuracy');
+        if (Math.abs(Math.round(entry.score * entry.accuracy / 100) - entry.efficiency) > 1) reasons.push('inconsistent');
+        if (reasons.length > 0) flagged.push({ entry, reasons, z: Math.round(z * 10) / 10 });
+    }
+    return { flagged, stats: { count: entries.length, median: center, mad } };
+}
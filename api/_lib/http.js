@@ -0,0 +1,72 @@
+// APIの共通処理: CORS・レート制限・エラーレスポンス
+//
+// CORS: 同じオリジン（Host と一致する Origin）と ALLOWED_ORIGINS（カンマ区切り）だけを許可する。
+// レート制限: storage の固定ウィンドウカウンタ（rate:{bucket}:{id}）。IP とプレイヤーIDで別々に数える。
+
+// [回数, 秒]
+export const RATE_LIMITS = {
+    rankingSubmitIp: [30, 600],       // 1回のプレイは30秒以上かかるので、同じIPから10分に30回まで
+    rankingSubmitPlayer: [12, 600],
+    sessionIp: [40, 600],
+    playerRegisterIp: [5, 3600],      // プレイヤーIDの大量発行で上位を埋められないようにする
+    playerRenamePlayer: [10, 3600],
+    adminLoginIp: [10, 900]
+};
+
+export function clientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    const first = typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : null;
+    return req.headers['x-real-ip'] || first || req.socket?.remoteAddress || 'unknown';
+}
+
+function allowedOrigins(req, env) {
+    const origins = (env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    if (req.headers.host) {
+        origins.push(`https://${req.headers.host}`, `http://${req.headers.host}`);
+    }
+    return origins;
+}
+
+// CORS ヘッダーを設定する。OPTIONS の応答まで済ませた場合は true（呼び出し側はそのまま return する）
+export function applyCors(req, res, methods, headers = 'Content-Type', env = process.env) {
+    const origin = req.headers.origin;
+    const allowed = !!origin && allowedOrigins(req, env).includes(origin);
+    res.setHeader('Vary', 'Origin');
+    if (allowed) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', `${methods}, OPTIONS`);
+        res.setHeader('Access-Control-Allow-Headers', headers);
+    }
+    if (req.method === 'OPTIONS') {
+        res.status(origin && !allowed ? 403 : 200).end();
+        return true;
+    }
+    return false;
+}
+
+// レート制限を数える。超えていれば 429 を返して true
+export async function rateLimited(storage, res, bucket, id) {
+    const [limit, windowSeconds] = RATE_LIMITS[bucket];
+    const { count, resetIn } = await storage.hitRateLimit(`rate:${bucket}:${id}`, windowSeconds);
+    if (count <= limit) return false;
+    console.warn('Rate limited:', { bucket, id, count });
+    res.setHeader('Retry-After', String(resetIn));
+    res.status(429).json({ error: 'Too many requests', retryAfter: resetIn });
+    return true;
+}
+
+// 500 エラー（詳細はログにだけ出し、レスポンスには含めない）
+export function sendServerError(res, error, context, storage) {
+    console.error(`${context} error:`, {
+        message: error.message,
+        stack: error.stack,
+        store: storage ? storage.kind : null
+    });
+    return res.status(500).json({ error: 'Internal server error' });
+}
+
+// 設定不足（環境変数名などはログにだけ出す）
+export function sendConfigError(res, detail) {
+    console.error('Server configuration error:', detail);
+    return res.status(500).json({ error: 'Server configuration error' });
+}
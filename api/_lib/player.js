@@ -0,0 +1,79 @@
+// プレイヤーID（名前の所有権）
+// ID と秘密の claim トークンをサーバーが発行する。トークンはハッシュだけを保存し、
+// クライアントは localStorage に保持する（別の端末へは復旧コードで引き継ぐ）。
+// 表示名は ID とは別に持ち、変更できる。同じ表示名は1人しか使えない。
+
+import crypto from 'crypto';
+import { containsProfanity } from './profanity.js';
+
+export const MIN_NAME_LENGTH = 2;
+export const MAX_NAME_LENGTH = 12;
+
+// 文字・数字（結合文字を含む）と、空白・_ - . だけ使える
+const NAME_PATTERN = /^[\p{L}\p{N}\p{M}_\-. ]+$/u;
+
+// 運営や管理者になりすませる名前
+const RESERVED_NAMES = ['admin', 'administrator', 'moderator', 'deadeye', 'system', 'official', '運営', '管理者', '公式'];
+
+const RECOVERY_PREFIX = 'DE1';
+
+export function newPlayerId() {
+    return 'p' + crypto.randomBytes(8).toString('hex');
+}
+
+export function isPlayerId(value) {
+    return typeof value === 'string' && /^p[0-9a-f]{16}$/.test(value);
+}
+
+export function newPlayerToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+export function hashPlayerToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 表示名の前後の空白を除く（不正な場合は null）
+export function cleanDisplayName(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.normalize('NFKC').trim();
+    return name && name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+// 新しく登録・変更する表示名の検証（{ name } か、拒否する理由 { reason } を返す）
+// 既存のエントリやインポートには cleanDisplayName だけを使う（過去の名前まで弾かない）
+export function validateDisplayName(value, env = process.env) {
+    if (typeof value !== 'string') return { reason: 'name_length' };
+    const name = value.normalize('NFKC').trim();
+    if (name.length < MIN_NAME_LENGTH || name.length > MAX_NAME_LENGTH) return { reason: 'name_length' };
+    if (!NAME_PATTERN.test(name) || /\s{2,}/.test(name)) return { reason: 'name_characters' };
+    if (RESERVED_NAMES.some(word => nameKey(name).replace(/[\s_\-.]/g, '').includes(word))) return { reason: 'name_reserved' };
+    if (containsProfanity(name, env)) return { reason: 'name_profanity' };
+    return { name };
+}
+
+// 名前の所有権のキー（大文字・小文字や全角・半角の違いで別人になりすませないようにする）
+export function nameKey(name) {
+    return name.normalize('NFKC').trim().toLowerCase();
+}
+
+// 復旧コード: DE1-{ID}-{トークン}
+export function formatRecoveryCode(playerId, token) {
+    return `${RECOVERY_PREFIX}-${playerId}-${token}`;
+}
+
+export function parseRecoveryCode(code) {
+    if (typeof code !== 'string') return null;
+    const match = code.trim().match(/^DE1-(p[0-9a-f]{16})-([0-9a-f]{32})$/i);
+    return match ? { playerId: match[1].toLowerCase(), token: match[2].toLowerCase() } : null;
+}
+
+// ID とトークンを検証してアカウントを返す（不正な場合は null）
+export async function authenticatePlayer(storage, playerId, token) {
+    if (!isPlayerId(playerId) || typeof token !== 'string' || !/^[0-9a-f]{32}$/.test(token)) return null;
+    const account = await storage.getPlayer(playerId);
+    if (!account) return null;
+    const expected = Buffer.from(account.tokenHash, 'hex');
+    const actual = Buffer.from(hashPlayerToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? account : null;
+}
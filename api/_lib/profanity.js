@@ -0,0 +1,56 @@
+// 表示名の不適切語フィルタ
+// 大文字・小文字、全角・半角、記号や空白の挟み込み、よくある数字の置き換え（0→o など）を正規化してから部分一致で調べる。
+// 短くてローマ字の名前とぶつかりやすい語は、名前の中の1語として出てきたときだけ弾く（BLOCKED_WORD_TOKENS）。
+// 追加したい語は環境変数 BLOCKED_NAME_WORDS（カンマ区切り）で指定できる。
+
+const BLOCKED_WORDS = [
+    // 英語
+    'fuck', 'bitch', 'pussy', 'asshole', 'bastard', 'whore', 'slut', 'shithead', 'dickhead',
+    'nigger', 'faggot', 'retard', 'nazi', 'hitler', 'porn', 'vagina',
+    // 日本語
+    'ちんこ', 'ちんぽ', 'まんこ', 'うんこ', 'せっくす', 'きちがい', 'ころす', 'れいぷ', 'しなじん',
+    '死ね', '殺す', '氏ね', '基地外', '池沼', '障害者', '支那', '売春', '強姦'
+];
+
+// 単独の語としてだけ弾く（部分一致だと普通の名前に含まれてしまうもの。grape の rape、よしねこ の しね など）
+const BLOCKED_EXACT = ['ass', 'sex', 'kill', 'die', 'cum', 'cock', 'fag', 'rape', 'しね', 'ちょん'];
+
+// 名前の中の1語として出てきたら弾く（Matsushita・Yoshitaka の shit、Fukuda の fuk、Tanigawa の niga、Dickson の dick、Scunthorpe の cunt など、部分一致だと普通の名前を弾いてしまうもの）
+const BLOCKED_WORD_TOKENS = ['fuk', 'shit', 'dick', 'cunt', 'nigga', 'penis'];
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's', '!': 'i' };
+
+// カタカナはひらがなに寄せる（「シネ」「しね」を同じ扱いにする）
+function toHiragana(text) {
+    return text.replace(/[ァ-ヶ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60));
+}
+
+function normalize(text) {
+    return toHiragana(text.normalize('NFKC').toLowerCase())
+        .replace(/[0-9@$!]/g, c => LEET[c] || c)
+        .replace(/[\s._\-*+~・ー]/g, '')
+        .replace(/(.)\1+/g, '$1');
+}
+
+// 空白・記号と小文字→大文字の境目（BigShit → Big Shit）で語に分ける。末尾の数字だけ外した形（shit99 → shit）も候補にする
+function nameTokens(name) {
+    return name.normalize('NFKC')
+        .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+        .split(/[\s._\-*+~・ー]+/)
+        .flatMap(token => [token, token.replace(/[0-9]+$/, '')])
+        .map(normalize)
+        .filter(Boolean);
+}
+
+function extraWords(env) {
+    return (env.BLOCKED_NAME_WORDS || '').split(',').map(word => normalize(word.trim())).filter(Boolean);
+}
+
+export function containsProfanity(name, env = process.env) {
+    const normalized = normalize(name);
+    const words = [...BLOCKED_WORDS.map(normalize), ...extraWords(env)];
+    if (words.some(word => normalized.includes(word))) return true;
+    if (BLOCKED_EXACT.map(normalize).includes(normalized)) return true;
+    const tokens = new Set([normalized, ...nameTokens(name)]);
+    return BLOCKED_WORD_TOKENS.map(normalize).some(word => tokens.has(word));
+}
@@ -0,0 +1,370 @@
+// ランセッション（署名付き）とイベントログのリプレイ検証
+// クライアントは beginPlay() でセッションを受け取り、endGame() 後にイベントログを送信する。
+// サーバーはログを再生してスコア・正確さ・効率値を自前で再計算する。
+
+import crypto from 'crypto';
+
+export const RANKED_MODES = ['flick', 'tracking', 'reaction', 'gridshot'];
+
+// デイリーチャレンジ: UTCの日付ごとに全員が同じモード・シード・ルールでプレイする
+export const DAILY_RULES = { targetSize: 50, duration: 30, trackingSpeed: 1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// index.html の BUILTIN_SCENARIOS の targets.size と同じ値（的の半径 = size * サイズ倍率 / 80）
+const MODE_BASE_SIZE = { flick: 80, tracking: 100, reaction: 90, gridshot: 70 };
+const CAMERA_Z = 5;
+
+// 人間の限界・クライアントのタイマー仕様に基づく判定値
+const MIN_REACTION_MS = 100;        // 出現からヒットまでの最短時間
+const MIN_HIT_INTERVAL_MS = 60;     // GRID SHOTでの連続ヒットの最短間隔
+const FLICK_RESPAWN_MS = 100;       // FLICK: ヒット後の再出現ディレイ
+const REACTION_LIFETIME_MS = 1000;  // REACTION: 的の表示時間
+const TIMER_TOLERANCE_MS = 20;      // ティック境界への丸めの許容
+const END_GRACE_MS = 1500;          // ゲーム終了判定の遅延許容
+const GRID_TARGET_COUNT = 5;
+const MAX_EVENTS = 20000;
+const SESSION_MAX_AGE_MS = 10 * 60 * 1000;
+
+// 判定の許容誤差（ログは小数3桁に丸めて送信される）
+const HIT_TOLERANCE = 0.02;
+const POSITION_TOLERANCE = 0.002;
+
+// index.html のシミュレーション時計と同じ固定ステップ（的の移動・判定はティック単位）
+const SIM_HZ = 60;
+const SIM_STEP_MS = 1000 / SIM_HZ;
+
+// index.html の BUILTIN_SCENARIOS.tracking と同じ値（速度はティックごと）
+const TRACKING_SPAWN = { x: 0, y: 0, z: -6 };
+const TRACKING_WANDER = {
+    initialSpeed: [0.06, 0.04], maxSpeed: [0.05, 0.04], jitter: [0.03, 0.02], changeChance: 0.02, range: [4, 2]
+};
+const TRACKING_POINTS_PER_SECOND = 30;
+
+// index.html の mulberry32 と同じ実装（系列が一致しないと検証できない）
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// index.html の motionSeed と同じ（的ごとの動きの乱数系列）
+function motionSeed(seed, targetId) {
+    return (seed ^ Math.imul(targetId + 1, 0x9E3779B1)) >>> 0;
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(payload, secret) {
+    return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+// daily（日付）を指定したセッションはデイリーチャレンジ用（シードと挑戦者のプレイヤーIDが固定される）
+// input は開始時に申告した入力デバイス（記録するランキングを決める。送信時に変えられないよう署名に含める）
+export function createSession({ mode, duration, targetSize, trackingSpeed, input, daily, playerId, seed }, secret) {
+    const session = {
+        sid: crypto.randomUUID(),
+        seed: seed ?? crypto.randomInt(0, 2 ** 32),
+        mode,
+        duration,
+        targetSize,
+        trackingSpeed,
+        input,
+        iat: Date.now()
+    };
+    if (daily) {
+        session.daily = daily;
+        session.playerId = playerId;
+    }
+    const payload = base64url(JSON.stringify(session));
+    return { token: `${payload}.${sign(payload, secret)}`, session };
+}
+
+// 署名を検証してセッションを返す（不正な場合は null）
+export function verifySessionToken(token, secret) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [payload, signature] = token.split('.');
+    const expected = sign(payload, secret);
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+    try {
+        const normalized = payload.replace(/-/g, '+').replace(/_/g, '/');
+        const session = JSON.parse(Buffer.from(normalized, 'base64').toString('utf8'));
+        return INPUT_DEVICES.includes(session?.input) ? session : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+export function utcDate(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// YYYY-MM-DD 形式の実在する日付か
+export function isDailyDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !isNaN(Date.parse(`${value}T00:00:00Z`)) && utcDate(Date.parse(`${value}T00:00:00Z`)) === value;
+}
+
+// その日のモード（RANKED_MODES を1日ずつ順番に回す。index.html の dailyMode と同じ）
+export function dailyMode(date) {
+    const day = Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+    return RANKED_MODES[day % RANKED_MODES.length];
+}
+
+// その日のチャレンジ。シードは秘密鍵から作るので、セッションを発行するまで分からない（事前に配置を調べられない）
+export function dailyChallenge(date, secret) {
+    const seed = crypto.createHmac('sha256', secret).update(`daily:${date}`).digest().readUInt32BE(0);
+    return { date, mode: dailyMode(date), seed };
+}
+
+// デイリーのランキングは storage の mode に `daily:{date}:{mode}` を使う（キーは ranking:daily:{date}:{mode}）
+export function dailyBoard(date, mode) {
+    return `daily:${date}:${mode}`;
+}
+
+// 入力デバイスのカテゴリ。コントローラー（エイムアシストあり）のランは別のランキング `gamepad:{mode}` に記録する
+// プレイ中にコントローラーを使うと ['g', t] がイベントログに入る（マウスのセッションでは拒否）
+export const INPUT_DEVICES = ['mouse', 'gamepad'];
+
+export function inputBoard(mode, input) {
+    return input === 'gamepad' ? `gamepad:${mode}` : mode;
+}
+
+// 送信時刻の妥当性（プレイ時間より早い提出や古いセッションは拒否）
+export function checkSessionTiming(session, now = Date.now()) {
+    const elapsed = now - session.iat;
+    if (elapsed < session.duration * 1000) return 'submitted_too_early';
+    if (elapsed > SESSION_MAX_AGE_MS) return 'session_expired';
+    return null;
+}
+
+function targetRadius(mode, targetSize) {
+    return MODE_BASE_SIZE[mode] * (targetSize / 100) / 80;
+}
+
+// index.html の sampleRegion（ring）と同じ乱数の消費順
+function randomPosition(random) {
+    const angle = random() * Math.PI * 2;
+    const dist = 200 + random() * 300;
+    const x = Math.cos(angle) * dist;
+    const y = -100 + random() * 200;
+    const z = -500 - random() * 300;
+    return { x: x / 100, y: y / 100, z: z / 100 };
+}
+
+// index.html の sampleRegion（box）と同じ乱数の消費順
+function gridPosition(random) {
+    const x = -10 + random() * 20;
+    const y = -6 + random() * 12;
+    const z = -12 + random() * 10;
+    return { x, y, z };
+}
+
+// 視点角度（度）からの視線がターゲット球に当たるか
+// カメラは (0, 0, CAMERA_Z) で rotation.x = -pitch, rotation.y = -yaw（Euler XYZ）
+function rayHitsSphere(yaw, pitch, center, radius) {
+    const yawRad = yaw * Math.PI / 180;
+    const pitchRad = pitch * Math.PI / 180;
+    const dx = Math.sin(yawRad);
+    const dy = -Math.sin(pitchRad) * Math.cos(yawRad);
+    const dz = -Math.cos(pitchRad) * Math.cos(yawRad);
+    const vx = center.x, vy = center.y, vz = center.z - CAMERA_Z;
+    const proj = vx * dx + vy * dy + vz * dz;
+    if (proj < 0) return false;
+    const distSq = vx * vx + vy * vy + vz * vz - proj * proj;
+    return Math.sqrt(Math.max(0, distSq)) <= radius + HIT_TOLERANCE;
+}
+
+function isValidAngles(yaw, pitch) {
+    return Number.isFinite(yaw) && Number.isFinite(pitch) &&
+        Math.abs(yaw) <= 360 && Math.abs(pitch) <= 120;
+}
+
+function calculateResult(score, accuracy) {
+    return { score, accuracy, efficiency: Math.round(score * accuracy / 100) };
+}
+
+function reject(reason) {
+    return { valid: false, reason };
+}
+
+// クリック系モード（FLICK / REACTION / GRID SHOT）
+// イベント: ['s', t, id] 出現 / ['h', t, id, yaw, pitch] ヒット / ['m', t, yaw, pitch] ミス / ['x', t, id] 時間切れ
+function replayClickRun(session, events) {
+    const { mode } = session;
+    const random = mulberry32(session.seed);
+    const radius = targetRadius(mode, session.targetSize);
+    const targets = new Map();
+    let alive = [];
+    let hits = 0, misses = 0, expired = 0;
+    let lastHitT = -Infinity;
+    let lastResolveT = 0;
+    let waveRemaining = 0;
+
+    for (const ev of events) {
+        const [type, t] = ev;
+
+        if (type === 's') {
+            const id = ev[2];
+            if (targets.has(id)) return reject('duplicate_target');
+
+            if (mode === 'gridshot') {
+                if (waveRemaining === 0) {
+                    if (alive.some(target => !target.hit)) return reject('spawn_before_clear');
+                    alive = [];
+                    waveRemaining = GRID_TARGET_COUNT;
+                }
+                waveRemaining--;
+            } else {
+                if (alive.some(target => !target.hit && !target.expired)) return reject('spawn_before_clear');
+                alive = [];
+                if (mode === 'flick' && hits > 0 && t < lastHitT + FLICK_RESPAWN_MS - TIMER_TOLERANCE_MS) {
+                    return reject('spawn_too_early');
+                }
+                if (mode === 'reaction') {
+                    const delay = 500 + random() * 1000;
+                    if (t < lastResolveT + delay - TIMER_TOLERANCE_MS) return reject('spawn_too_early');
+                }
+            }
+
+            const pos = mode === 'gridshot' ? gridPosition(random) : randomPosition(random);
+            const target = { id, pos, spawnT: t, hit: false, expired: false };
+            targets.set(id, target);
+            alive.push(target);
+        } else if (type === 'h') {
+            const [, , id, yaw, pitch] = ev;
+            const target = targets.get(id);
+            if (!target || !alive.includes(target) || target.expired) return reject('unknown_target');
+            if (target.hit) return reject('double_hit');
+            if (!isValidAngles(yaw, pitch)) return reject('invalid_angles');
+            if (!rayHitsSphere(yaw, pitch, target.pos, radius)) return reject('hit_geometry');
+
+            const sinceSpawn = t - target.spawnT;
+            if (sinceSpawn < MIN_REACTION_MS) return reject('inhuman_reaction');
+            if (mode === 'gridshot' && t - lastHitT < MIN_HIT_INTERVAL_MS) return reject('inhuman_reaction');
+
+            target.hit = true;
+            hits++;
+            lastHitT = t;
+            lastResolveT = t;
+        } else if (type === 'm') {
+            if (!isValidAngles(ev[2], ev[3])) return reject('invalid_angles');
+            misses++;
+        } else if (type === 'x') {
+            if (mode !== 'reaction') return reject('unknown_event');
+            const target = targets.get(ev[2]);
+            if (!target || !alive.includes(target) || target.hit || target.expired) return reject('unknown_target');
+            if (t - target.spawnT < REACTION_LIFETIME_MS - TIMER_TOLERANCE_MS) return reject('expired_too_early');
+            target.expired = true;
+            expired++;
+            lastResolveT = t;
+        } else {
+            return reject('unknown_event');
+        }
+    }
+
+    const totalClicks = hits + misses + expired;
+    const accuracy = totalClicks > 0 ? Math.round((hits / totalClicks) * 100) : 100;
+    return { valid: true, result: { ...calculateResult(hits * 100, accuracy), hits, misses: misses + expired } };
+}
+
+// TRACKING の的（id 0）の動きをシードから再現する。index.html の createMotion / moveTarget（wander）と同じ計算順
+// 戻り値の関数を呼ぶたびに1ティック進めて位置を返す
+function simulateWander(seed, speed) {
+    const random = mulberry32(motionSeed(seed, 0));
+    const { initialSpeed, maxSpeed, jitter, changeChance, range } = TRACKING_WANDER;
+    const motion = {
+        dx: 0, dy: 0,
+        vx: (random() - 0.5) * initialSpeed[0] * speed,
+        vy: (random() - 0.5) * initialSpeed[1] * speed
+    };
+    return function step() {
+        if (random() < changeChance) {
+            motion.vx += (random() - 0.5) * jitter[0] * speed;
+            motion.vy += (random() - 0.5) * jitter[1] * speed;
+        }
+        const maxSpeedX = maxSpeed[0] * speed;
+        const maxSpeedY = maxSpeed[1] * speed;
+        const [rangeX, rangeY] = range;
+        motion.vx = Math.max(-maxSpeedX, Math.min(maxSpeedX, motion.vx));
+        motion.vy = Math.max(-maxSpeedY, Math.min(maxSpeedY, motion.vy));
+        motion.dx += motion.vx; motion.dy += motion.vy;
+        if (Math.abs(motion.dx) > rangeX) motion.vx *= -1;
+        if (Math.abs(motion.dy) > rangeY) motion.vy *= -1;
+        motion.dx = Math.max(-rangeX, Math.min(rangeX, motion.dx));
+        motion.dy = Math.max(-rangeY, Math.min(rangeY, motion.dy));
+        return { x: TRACKING_SPAWN.x + motion.dx, y: TRACKING_SPAWN.y + motion.dy, z: TRACKING_SPAWN.z };
+    };
+}
+
+// TRACKING: ティックごとの ['k', t, yaw, pitch, x, y, z, onTarget]
+// 的の位置はシードから再計算した値で判定する（ログの位置は一致確認のみ）
+function replayTrackingRun(session, events) {
+    const radius = targetRadius('tracking', session.targetSize);
+    const step = simulateWander(session.seed, session.trackingSpeed);
+    let ticks = 0, onTicks = 0;
+
+    for (const ev of events) {
+        const [type, t, yaw, pitch, x, y, z, onTarget] = ev;
+        if (type !== 'k') return reject('unknown_event');
+        if (!isValidAngles(yaw, pitch)) return reject('invalid_angles');
+        if (![x, y, z].every(Number.isFinite)) return reject('invalid_position');
+        // n 番目のイベントは n+1 ティック目（抜けや水増しがないこと）
+        if (Math.abs(t - Math.round((ticks + 1) * SIM_STEP_MS)) > 1) return reject('tick_mismatch');
+
+        const pos = step();
+        if (Math.abs(x - pos.x) > POSITION_TOLERANCE || Math.abs(y - pos.y) > POSITION_TOLERANCE ||
+            Math.abs(z - pos.z) > POSITION_TOLERANCE) {
+            return reject('target_desync');
+        }
+
+        ticks++;
+        if (onTarget) {
+            if (!rayHitsSphere(yaw, pitch, pos, radius)) return reject('tracking_geometry');
+            onTicks++;
+        }
+    }
+
+    if (ticks > SIM_HZ * session.duration) return reject('tick_count');
+
+    // 照準が乗っていた時間で採点（index.html の scenarioTick と同じ式）
+    const score = Math.floor(onTicks * TRACKING_POINTS_PER_SECOND / SIM_HZ);
+    const accuracy = ticks > 0 ? Math.round((onTicks / ticks) * 100) : 0;
+    return { valid: true, result: { ...calculateResult(score, accuracy), ticks, onTicks } };
+}
+
+// イベントログを再生して結果を再計算する
+// 戻り値: { valid: true, result } または { valid: false, reason }
+export function replayRun(session, events) {
+    if (!Array.isArray(events) || events.length === 0) return reject('empty_log');
+    if (events.length > MAX_EVENTS) return reject('log_too_large');
+
+    const durationMs = session.duration * 1000;
+    let lastT = 0;
+    for (const ev of events) {
+        if (!Array.isArray(ev) || typeof ev[0] !== 'string' || !Number.isFinite(ev[1])) {
+            return reject('malformed_event');
+        }
+        if (ev[1] < lastT) return reject('events_out_of_order');
+        if (ev[1] > durationMs + END_GRACE_MS) return reject('event_after_end');
+        lastT = ev[1];
+    }
+
+    // コントローラーを使ったランはマウスのランキングに記録できない
+    const gamepadUsed = events.some(ev => ev[0] === 'g');
+    if (gamepadUsed && session.input !== 'gamepad') return reject('input_mismatch');
+    const scored = gamepadUsed ? events.filter(ev => ev[0] !== 'g') : events;
+
+    return session.mode === 'tracking'
+        ? replayTrackingRun(session, scored)
+        : replayClickRun(session, scored);
+}
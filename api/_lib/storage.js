@@ -0,0 +1,662 @@
+// ランキングのストレージ層
+// RANKING_STORE=upstash（デフォルト）: Upstash Redis REST API
+// RANKING_STORE=local: メモリ上に保持（RANKING_STORE_FILE を指定するとJSONファイルに永続化）
+//
+// エントリはサーバーが採番したIDで管理する:
+//   entry:{id}            エントリ本体（JSON）
+//   ranking:{mode}        Sorted Set（メンバー = ID、スコア = 効率値）
+//   player:{mode}:{owner} プレイヤーの現在のベストエントリのID（owner はプレイヤーID、ID導入前のエントリは名前）
+//   deleted:{mode}        論理削除されたID（スコア = 削除時刻）
+//   audit:ranking         管理操作の監査ログ（新しい順）
+//   daily:dates           記録があるデイリーチャレンジの日付（Sorted Set、スコア = UTCの日数）
+//   account:{playerId}    プレイヤーID（JSON: 表示名・claim トークンのハッシュ）
+//   name:{nameKey}        表示名の所有者のプレイヤーID
+//
+// mode にはデイリーチャレンジのボード名（daily:{date}:{mode}）とコントローラーのボード名（gamepad:{mode}）も入る
+//
+// どちらの実装も同じインターフェースを持つ:
+//   getTop(mode, limit, offset)    offset 位から limit 件（効率値の降順、offset は0始まり）
+//   getEntry(id)
+//   getPlayerBest(mode, owner)     プレイヤーのベストスコア（owner はプレイヤーID / 旧エントリは名前）
+//   getPlayerRank(mode, owner)     { entry, rank }（rank は1始まり）/ null
+//   addScore(mode, data)           スコアを登録して { entry, rank } を返す
+//   updateEntry(id, patch)         { before, after } / { conflict } / null
+//   deleteEntry(id)                論理削除 { before, after } / null
+//   restoreEntry(id)               論理削除の取り消し { before, after } / { conflict } / null
+//   listDeleted(mode, limit)
+//   boardSize(mode)                ランキングの件数
+//   addDailyDate(date) / listDailyDates(limit)  デイリーチャレンジの日付（新しい順）
+//   resetBoards(modes)             ランキングを全削除
+//   appendAudit(record) / getAuditLog(limit)
+//   claimOnce(key, ttlSeconds)     初回のみ true（セッションの再利用防止など）
+//   releaseClaim(key)              claim を外す（保存に失敗したランを再送できるようにする）
+//   saveClaimResult(key, result, ttlSeconds) / getClaimResult(key)  claim した処理の結果（応答が届かなかった再送に返す）
+//   hitRateLimit(key, windowSeconds)  固定ウィンドウのカウンタを1増やして { count, resetIn（秒） }
+//   getPlayer(id) / savePlayer(account)  プレイヤーID
+//   claimName(nameKey, playerId)   表示名を確保（空いているか本人のものなら true）
+//   releaseName(nameKey, playerId) 本人のものなら表示名を解放
+//   diagnose()                     接続テスト用の情報
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+const AUDIT_MAX = 1000;
+
+const boardKey = mode => `ranking:${mode}`;
+const playerKey = (mode, owner) => `player:${mode}:${owner}`;
+const entryKey = id => `entry:${id}`;
+const deletedKey = mode => `deleted:${mode}`;
+const AUDIT_KEY = 'audit:ranking';
+const DAILY_DATES_KEY = 'daily:dates';
+const accountKey = id => `account:${id}`;
+const claimResultKey = key => `result:${key}`;
+const nameOwnerKey = key => `name:${key}`;
+
+// ベストエントリのポインタの持ち主（プレイヤーIDのないエントリは名前で管理する）
+const ownerOf = entry => entry.playerId || entry.name;
+
+const dayNumber = date => Math.floor(Date.parse(`${date}T00:00:00Z`) / 86400000);
+
+function newEntryId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+function isEntryId(member) {
+    return typeof member === 'string' && /^[0-9a-f]{12}$/.test(member);
+}
+
+function parseJson(raw) {
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        console.warn('Failed to parse stored JSON:', e.message);
+        return null;
+    }
+}
+
+function createEntry(mode, data) {
+    return {
+        id: newEntryId(),
+        mode: mode,
+        name: data.name,
+        score: data.score,
+        accuracy: data.accuracy,
+        efficiency: data.efficiency,
+        date: data.date,
+        playerId: data.playerId || null,
+        input: data.input === 'gamepad' ? 'gamepad' : 'mouse',
+        createdAt: Date.now()
+    };
+}
+
+export function createUpstashStorage({ url, token }) {
+    // Upstash REST API は { result } または { error } を返す
+    async function command(args) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(args)
+        });
+
+        const responseText = await response.text();
+
+        if (!response.ok) {
+            console.error('Upstash API error:', {
+                status: response.status,
+                statusText: response.statusText,
+                error: responseText.substring(0, 500),
+                command: args[0]
+            });
+
+            let errorMessage = `Upstash API error (${response.status})`;
+            if (response.status === 401) {
+                errorMessage = 'Upstash認証エラー: トークンが無効です';
+            } else if (response.status === 404) {
+                errorMessage = 'Upstash APIエンドポイントが見つかりません';
+            } else if (response.status >= 500) {
+                errorMessage = 'Upstashサーバーエラー';
+            }
+            throw new Error(errorMessage);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(responseText);
+        } catch (e) {
+            console.error('Failed to parse Upstash response as JSON:', responseText.substring(0, 500));
+            throw new Error('Invalid JSON response from Upstash');
+        }
+
+        if (data.error) {
+            console.error('Upstash returned error:', data.error);
+            throw new Error(data.error);
+        }
+
+        return data.result;
+    }
+
+    async function getEntry(id) {
+        return parseJson(await command(['GET', entryKey(id)]));
+    }
+
+    async function getEntries(ids) {
+        if (ids.length === 0) return [];
+        const raws = await command(['MGET', ...ids.map(entryKey)]) || [];
+        return raws.map(parseJson);
+    }
+
+    async function saveEntry(entry) {
+        await command(['SET', entryKey(entry.id), JSON.stringify(entry)]);
+    }
+
+    // 旧形式（メンバーがスコアのJSON文字列）のエントリをID形式に移行する
+    async function migrateLegacyMember(mode, member, efficiency) {
+        const data = parseJson(member) || { name: member };
+        const entry = createEntry(mode, { ...data, efficiency });
+        await saveEntry(entry);
+        await command(['ZREM', boardKey(mode), member]);
+        await command(['ZADD', boardKey(mode), String(efficiency), entry.id]);
+        await command(['SET', playerKey(mode, entry.name), entry.id]);
+        console.log('Migrated legacy ranking member:', { mode, name: entry.name, id: entry.id });
+        return entry;
+    }
+
+    // エントリ本体とプレイヤーのポインタを削除（ランキングからの置き換え・トリム用）
+    async function purgeEntry(entry) {
+        await command(['DEL', entryKey(entry.id)]);
+        if (await command(['GET', playerKey(entry.mode, ownerOf(entry))]) === entry.id) {
+            await command(['DEL', playerKey(entry.mode, ownerOf(entry))]);
+        }
+    }
+
+    async function getActivePlayerEntry(mode, owner) {
+        const pointer = await command(['GET', playerKey(mode, owner)]);
+        if (!isEntryId(pointer)) return null;
+        const entry = await getEntry(pointer);
+        return entry && !entry.deleted ? entry : null;
+    }
+
+    return {
+        kind: 'upstash',
+
+        async getTop(mode, limit, offset = 0) {
+            const flat = await command(['ZREVRANGE', boardKey(mode), String(offset), String(offset + limit - 1), 'WITHSCORES']) || [];
+            const members = [];
+            for (let i = 0; i + 1 < flat.length; i += 2) {
+                members.push({ member: flat[i], efficiency: parseInt(flat[i + 1]) });
+            }
+
+            const entries = await getEntries(members.filter(m => isEntryId(m.member)).map(m => m.member));
+            const rankings = [];
+            for (const { member, efficiency } of members) {
+                if (isEntryId(member)) {
+                    const entry = entries.shift();
+                    if (entry) rankings.push(entry);
+                } else {
+                    rankings.push(await migrateLegacyMember(mode, member, efficiency));
+                }
+            }
+            return rankings;
+        },
+
+        getEntry,
+
+        async getPlayerBest(mode, owner) {
+            const pointer = await command(['GET', playerKey(mode, owner)]);
+            if (!pointer) return null;
+            // 旧形式ではベストスコアのJSONがそのまま入っている
+            if (!isEntryId(pointer)) return parseJson(pointer);
+            const entry = await getEntry(pointer);
+            return entry && !entry.deleted ? entry : null;
+        },
+
+        async getPlayerRank(mode, owner) {
+            const entry = await getActivePlayerEntry(mode, owner);
+            if (!entry) return null;
+            const rank = await command(['ZREVRANK', boardKey(mode), entry.id]);
+            return rank !== null && rank !== undefined ? { entry, rank: rank + 1 } : null;
+        },
+
+        async addScore(mode, data) {
+            const key = boardKey(mode);
+
+            // 既存のベストスコアは置き換える
+            const pointer = await command(['GET', playerKey(mode, ownerOf(data))]);
+            if (pointer) {
+                if (isEntryId(pointer)) {
+                    await command(['ZREM', key, pointer]);
+                    await command(['DEL', entryKey(pointer)]);
+                } else {
+                    await command(['ZREM', key, pointer]);
+                }
+            }
+
+            const entry = createEntry(mode, data);
+            await saveEntry(entry);
+            await command(['ZADD', key, String(entry.efficiency), entry.id]);
+            await command(['SET', playerKey(mode, ownerOf(entry)), entry.id]);
+
+            const rank = await command(['ZREVRANK', key, entry.id]);
+            return { entry, rank: rank !== null && rank !== undefined ? rank + 1 : null };
+        },
+
+        async updateEntry(id, patch) {
+            const before = await getEntry(id);
+            if (!before || before.deleted) return null;
+
+            const after = { ...before, ...patch, updatedAt: Date.now() };
+            if (ownerOf(after) !== ownerOf(before)) {
+                const other = await getActivePlayerEntry(before.mode, ownerOf(after));
+                if (other && other.id !== id) return { conflict: other };
+                await command(['DEL', playerKey(before.mode, ownerOf(before))]);
+            }
+
+            await saveEntry(after);
+            await command(['ZADD', boardKey(before.mode), String(after.efficiency), id]);
+            await command(['SET', playerKey(after.mode, ownerOf(after)), id]);
+            return { before, after };
+        },
+
+        async deleteEntry(id) {
+            const before = await getEntry(id);
+            if (!before || before.deleted) return null;
+
+            const after = { ...before, deleted: Date.now() };
+            await saveEntry(after);
+            await command(['ZREM', boardKey(before.mode), id]);
+            await command(['ZADD', deletedKey(before.mode), String(after.deleted), id]);
+            if (await command(['GET', playerKey(before.mode, ownerOf(before))]) === id) {
+                await command(['DEL', playerKey(before.mode, ownerOf(before))]);
+            }
+            return { before, after };
+        },
+
+        async restoreEntry(id) {
+            const before = await getEntry(id);
+            if (!before || !before.deleted) return null;
+
+            // 同じプレイヤーに有効なエントリがある場合は復元しない
+            const other = await getActivePlayerEntry(before.mode, ownerOf(before));
+            if (other) return { conflict: other };
+
+            const after = { ...before };
+            delete after.deleted;
+            await saveEntry(after);
+            await command(['ZREM', deletedKey(before.mode), id]);
+            await command(['ZADD', boardKey(before.mode), String(after.efficiency), id]);
+            await command(['SET', playerKey(before.mode, ownerOf(before)), id]);
+            return { before, after };
+        },
+
+        async listDeleted(mode, limit) {
+            const ids = await command(['ZREVRANGE', deletedKey(mode), '0', String(limit - 1)]) || [];
+            return (await getEntries(ids)).filter(entry => entry && entry.deleted);
+        },
+
+        async boardSize(mode) {
+            return await command(['ZCARD', boardKey(mode)]) || 0;
+        },
+
+        async addDailyDate(date) {
+            await command(['ZADD', DAILY_DATES_KEY, String(dayNumber(date)), date]);
+        },
+
+        async listDailyDates(limit) {
+            return await command(['ZREVRANGE', DAILY_DATES_KEY, '0', String(limit - 1)]) || [];
+        },
+
+        async resetBoards(modes) {
+            const deletedKeys = [];
+            for (const mode of modes) {
+                const key = boardKey(mode);
+                if (!(await command(['EXISTS', key]))) continue;
+
+                const ids = await command(['ZRANGE', key, '0', '-1']) || [];
+                const entries = await getEntries(ids.filter(isEntryId));
+                for (const entry of entries) {
+                    if (entry) await purgeEntry(entry);
+                }
+                await command(['DEL', key]);
+                deletedKeys.push(key);
+            }
+            return deletedKeys;
+        },
+
+        async appendAudit(record) {
+            await command(['LPUSH', AUDIT_KEY, JSON.stringify(record)]);
+            await command(['LTRIM', AUDIT_KEY, '0', String(AUDIT_MAX - 1)]);
+        },
+
+        async getAuditLog(limit) {
+            const raws = await command(['LRANGE', AUDIT_KEY, '0', String(limit - 1)]) || [];
+            return raws.map(parseJson).filter(Boolean);
+        },
+
+        async claimOnce(key, ttlSeconds) {
+            return (await command(['SET', key, '1', 'NX', 'EX', String(ttlSeconds)])) === 'OK';
+        },
+
+        async releaseClaim(key) {
+            await command(['DEL', key, claimResultKey(key)]);
+        },
+
+        async saveClaimResult(key, result, ttlSeconds) {
+            await command(['SET', claimResultKey(key), JSON.stringify(result), 'EX', String(ttlSeconds)]);
+        },
+
+        async getClaimResult(key) {
+            return parseJson(await command(['GET', claimResultKey(key)]));
+        },
+
+        async hitRateLimit(key, windowSeconds) {
+            const count = await command(['INCR', key]);
+            if (count === 1) await command(['EXPIRE', key, String(windowSeconds)]);
+            const ttl = await command(['TTL', key]);
+            // 有効期限の設定に失敗したキーが残り続けないようにする
+            if (ttl < 0) await command(['EXPIRE', key, String(windowSeconds)]);
+            return { count, resetIn: ttl > 0 ? ttl : windowSeconds };
+        },
+
+        async getPlayer(id) {
+            return parseJson(await command(['GET', accountKey(id)]));
+        },
+
+        async savePlayer(account) {
+            await command(['SET', accountKey(account.id), JSON.stringify(account)]);
+        },
+
+        async claimName(key, playerId) {
+            if ((await command(['SET', nameOwnerKey(key), playerId, 'NX'])) === 'OK') return true;
+            return (await command(['GET', nameOwnerKey(key)])) === playerId;
+        },
+
+        async releaseName(key, playerId) {
+            if ((await command(['GET', nameOwnerKey(key)])) === playerId) {
+                await command(['DEL', nameOwnerKey(key)]);
+            }
+        },
+
+        async diagnose() {
+            return {
+                ping: await command(['PING']),
+                exists: await command(['EXISTS', boardKey('flick')]),
+                zrevrange: await command(['ZREVRANGE', boardKey('flick'), '0', '4', 'WITHSCORES'])
+            };
+        }
+    };
+}
+
+// ローカル実装のデータはプロセス内で共有する（ファイルごと）
+const localStores = new Map();
+
+// 旧ローカル形式（boards: { mode: { name: entry } }、名前がキー）をID形式に変換
+function migrateLocalData(data) {
+    if (!data.boards) return data;
+    for (const [mode, byName] of Object.entries(data.boards)) {
+        for (const scoreData of Object.values(byName)) {
+            const entry = createEntry(mode, scoreData);
+            data.entries[entry.id] = entry;
+            data.players[`${mode}:${entry.name}`] = entry.id;
+        }
+    }
+    delete data.boards;
+    return data;
+}
+
+function loadLocalData(file) {
+    const cacheKey = file || ':memory:';
+    if (localStores.has(cacheKey)) return localStores.get(cacheKey);
+
+    let data = { entries: {}, players: {}, audit: [], claims: {}, claimResults: {}, dailyDates: [], accounts: {}, names: {}, rateLimits: {} };
+    if (file && fs.existsSync(file)) {
+        try {
+            data = migrateLocalData({ ...data, ...JSON.parse(fs.readFileSync(file, 'utf8')) });
+        } catch (e) {
+            console.error('Failed to read local ranking store:', file, e.message);
+        }
+    }
+    localStores.set(cacheKey, data);
+    return data;
+}
+
+export function createLocalStorage({ file } = {}) {
+    const data = loadLocalData(file);
+
+    // 期限の切れた claim（値は期限の時刻）と保存結果は書き込みのたびに捨てる（Upstash の TTL と同じ扱い）
+    function dropExpiredClaims() {
+        const now = Date.now();
+        for (const [key, expiresAt] of Object.entries(data.claims)) {
+            if (!(expiresAt > now)) delete data.claims[key];
+        }
+        for (const [key, saved] of Object.entries(data.claimResults)) {
+            if (!(saved?.expiresAt > now)) delete data.claimResults[key];
+        }
+    }
+
+    function persist() {
+        dropExpiredClaims();
+        if (file) fs.writeFileSync(file, JSON.stringify({ ...data, rateLimits: undefined }, null, 2));
+    }
+
+    function activeEntries(mode) {
+        return Object.values(data.entries)
+            .filter(entry => entry.mode === mode && !entry.deleted)
+            .sort((a, b) => b.efficiency - a.efficiency);
+    }
+
+    function getActivePlayerEntry(mode, owner) {
+        const entry = data.entries[data.players[`${mode}:${owner}`]];
+        return entry && !entry.deleted ? entry : null;
+    }
+
+    function purgeEntry(entry) {
+        delete data.entries[entry.id];
+        if (data.players[`${entry.mode}:${ownerOf(entry)}`] === entry.id) {
+            delete data.players[`${entry.mode}:${ownerOf(entry)}`];
+        }
+    }
+
+    return {
+        kind: 'local',
+
+        async getTop(mode, limit, offset = 0) {
+            return activeEntries(mode).slice(offset, offset + limit);
+        },
+
+        async getEntry(id) {
+            return data.entries[id] || null;
+        },
+
+        async getPlayerBest(mode, owner) {
+            return getActivePlayerEntry(mode, owner);
+        },
+
+        async getPlayerRank(mode, owner) {
+            const entry = getActivePlayerEntry(mode, owner);
+            if (!entry) return null;
+            return { entry, rank: activeEntries(mode).findIndex(e => e.id === entry.id) + 1 };
+        },
+
+        async addScore(mode, scoreData) {
+            const existing = getActivePlayerEntry(mode, ownerOf(scoreData));
+            if (existing) delete data.entries[existing.id];
+
+            const entry = createEntry(mode, scoreData);
+            data.entries[entry.id] = entry;
+            data.players[`${mode}:${ownerOf(entry)}`] = entry.id;
+            persist();
+            return { entry, rank: activeEntries(mode).findIndex(e => e.id === entry.id) + 1 };
+        },
+
+        async updateEntry(id, patch) {
+            const before = data.entries[id];
+            if (!before || before.deleted) return null;
+
+            const after = { ...before, ...patch, updatedAt: Date.now() };
+            if (ownerOf(after) !== ownerOf(before)) {
+                const other = getActivePlayerEntry(before.mode, ownerOf(after));
+                if (other && other.id !== id) return { conflict: other };
+                delete data.players[`${before.mode}:${ownerOf(before)}`];
+            }
+            data.entries[id] = after;
+            data.players[`${after.mode}:${ownerOf(after)}`] = id;
+            persist();
+            return { before, after };
+        },
+
+        async deleteEntry(id) {
+            const before = data.entries[id];
+            if (!before || before.deleted) return null;
+
+            const after = { ...before, deleted: Date.now() };
+            data.entries[id] = after;
+            if (data.players[`${before.mode}:${ownerOf(before)}`] === id) {
+                delete data.players[`${before.mode}:${ownerOf(before)}`];
+            }
+            persist();
+            return { before, after };
+        },
+
+        async restoreEntry(id) {
+            const before = data.entries[id];
+            if (!before || !before.deleted) return null;
+
+            const other = getActivePlayerEntry(before.mode, ownerOf(before));
+            if (other) return { conflict: other };
+
+            const after = { ...before };
+            delete after.deleted;
+            data.entries[id] = after;
+            data.players[`${after.mode}:${ownerOf(after)}`] = id;
+            persist();
+            return { before, after };
+        },
+
+        async listDeleted(mode, limit) {
+            return Object.values(data.entries)
+                .filter(entry => entry.mode === mode && entry.deleted)
+                .sort((a, b) => b.deleted - a.deleted)
+                .slice(0, limit);
+        },
+
+        async boardSize(mode) {
+            return activeEntries(mode).length;
+        },
+
+        async addDailyDate(date) {
+            if (data.dailyDates.includes(date)) return;
+            data.dailyDates.push(date);
+            data.dailyDates.sort((a, b) => dayNumber(b) - dayNumber(a));
+            persist();
+        },
+
+        async listDailyDates(limit) {
+            return data.dailyDates.slice(0, limit);
+        },
+
+        async resetBoards(modes) {
+            const deletedKeys = [];
+            for (const mode of modes) {
+                const entries = activeEntries(mode);
+                if (entries.length === 0) continue;
+                entries.forEach(purgeEntry);
+                deletedKeys.push(boardKey(mode));
+            }
+            persist();
+            return deletedKeys;
+        },
+
+        async appendAudit(record) {
+            data.audit.unshift(record);
+            data.audit.length = Math.min(data.audit.length, AUDIT_MAX);
+            persist();
+        },
+
+        async getAuditLog(limit) {
+            return data.audit.slice(0, limit);
+        },
+
+        async claimOnce(key, ttlSeconds) {
+            const now = Date.now();
+            if (data.claims[key] && data.claims[key] > now) return false;
+            data.claims[key] = now + ttlSeconds * 1000;
+            persist();
+            return true;
+        },
+
+        async releaseClaim(key) {
+            delete data.claims[key];
+            delete data.claimResults[key];
+            persist();
+        },
+
+        async saveClaimResult(key, result, ttlSeconds) {
+            data.claimResults[key] = { result, expiresAt: Date.now() + ttlSeconds * 1000 };
+            persist();
+        },
+
+        async getClaimResult(key) {
+            const saved = data.claimResults[key];
+            return saved && saved.expiresAt > Date.now() ? saved.result : null;
+        },
+
+        // カウンタはファイルに書かない（再起動でリセットされてよい）
+        async hitRateLimit(key, windowSeconds) {
+            const now = Date.now();
+            const counter = data.rateLimits[key];
+            if (!counter || counter.resetAt <= now) {
+                data.rateLimits[key] = { count: 1, resetAt: now + windowSeconds * 1000 };
+            } else {
+                counter.count++;
+            }
+            return { count: data.rateLimits[key].count, resetIn: Math.ceil((data.rateLimits[key].resetAt - now) / 1000) };
+        },
+
+        async getPlayer(id) {
+            return data.accounts[id] || null;
+        },
+
+        async savePlayer(account) {
+            data.accounts[account.id] = account;
+            persist();
+        },
+
+        async claimName(key, playerId) {
+            if (!data.names[key]) {
+                data.names[key] = playerId;
+                persist();
+            }
+            return data.names[key] === playerId;
+        },
+
+        async releaseName(key, playerId) {
+            if (data.names[key] === playerId) {
+                delete data.names[key];
+                persist();
+            }
+        },
+
+        async diagnose() {
+            const modes = {};
+            for (const entry of Object.values(data.entries)) {
+                if (!entry.deleted) modes[entry.mode] = (modes[entry.mode] || 0) + 1;
+            }
+            return { file: file || null, modes };
+        }
+    };
+}
+
+// 環境変数から実装を選ぶ（Upstashの認証情報がない場合は null）
+export function createStorage(env = process.env) {
+    if (env.RANKING_STORE === 'local') {
+        return createLocalStorage({ file: env.RANKING_STORE_FILE });
+    }
+    if (!env.UPSTASH_REDIS_REST_URL || !env.UPSTASH_REDIS_REST_TOKEN) {
+        return null;
+    }
+    return createUpstashStorage({ url: env.UPSTASH_REDIS_REST_URL, token: env.UPSTASH_REDIS_REST_TOKEN });
+}
@@ -0,0 +1,232 @@
+// Vercel Serverless Function for Admin Tools
+// POST { action: 'login', password }: 期限付きの管理トークンを発行
+// 以下は `Authorization: Bearer {token}` が必要:
+//   GET  ?view=export&mode=&format=json|csv     ボードのエクスポート
+//   GET  ?view=flags&mode=                      統計的に怪しいエントリ
+//   POST { action: 'import', mode, format, data, replace }
+//   POST { action: 'bulk-delete', mode, namePattern, from, to, dryRun }（論理削除。削除済み一覧から復元できる）
+//   すべて input（'mouse' | 'gamepad'、GET はクエリ、POST は body。省略時は 'mouse'）でコントローラーのランキングを選べる
+//   POST { action: 'review', id }               怪しいエントリを確認済みにする
+
+import { RANKED_MODES, INPUT_DEVICES, inputBoard, isDailyDate, utcDate } from './_lib/session.js';
+import { createStorage } from './_lib/storage.js';
+import {
+    verifyAdminPassword, createAdminToken, checkAdminRequest, auditRecord,
+    EXPORT_FIELDS, toCsv, parseCsv, namePatternToRegExp, findSuspiciousEntries
+} from './_lib/admin.js';
+import { cleanDisplayName, isPlayerId } from './_lib/player.js';
+import { applyCors, rateLimited, clientIp, sendServerError, sendConfigError } from './_lib/http.js';
+
+const EXPORT_PAGE = 500;
+const MAX_IMPORT_ROWS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ボードの全エントリ（効率値の降順）
+async function allEntries(storage, board) {
+    const total = await storage.boardSize(board);
+    const entries = [];
+    for (let offset = 0; offset < total; offset += EXPORT_PAGE) {
+        entries.push(...await storage.getTop(board, EXPORT_PAGE, offset));
+    }
+    return entries;
+}
+
+function toExportEntry(entry) {
+    return Object.fromEntries(EXPORT_FIELDS.map(field => [field, entry[field] ?? null]));
+}
+
+// インポートする1行を検証（不正な場合は null）
+function parseImportRow(row) {
+    if (!row || typeof row !== 'object') return null;
+    const name = cleanDisplayName(row.name);
+    const score = parseInt(row.score);
+    const accuracy = parseFloat(row.accuracy);
+    const efficiency = parseInt(row.efficiency);
+    if (!name || isNaN(score) || isNaN(accuracy) || isNaN(efficiency)) return null;
+    if (score < 0 || accuracy < 0 || accuracy > 100 || efficiency < 0) return null;
+    return {
+        name,
+        playerId: isPlayerId(row.playerId) ? row.playerId : null,
+        score,
+        accuracy,
+        efficiency,
+        date: typeof row.date === 'string' && row.date ? row.date.slice(0, 20) : utcDate()
+    };
+}
+
+export default async function handler(req, res) {
+    if (applyCors(req, res, 'GET, POST', 'Content-Type, Authorization')) return;
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const storage = createStorage();
+    if (!storage) {
+        return sendConfigError(res, 'Missing storage configuration for admin tools');
+    }
+
+    try {
+        const body = req.body || {};
+
+        // ログイン
+        if (req.method === 'POST' && body.action === 'login') {
+            if (await rateLimited(storage, res, 'adminLoginIp', clientIp(req))) return;
+            const passwordHash = process.env.ADMIN_PASSWORD_HASH;
+            if (!passwordHash) {
+                console.error('Admin login refused: ADMIN_PASSWORD_HASH is not configured');
+                return res.status(503).json({ error: 'Admin access not configured' });
+            }
+            if (!verifyAdminPassword(body.password, passwordHash)) {
+                console.warn('Admin login failed:', { ip: clientIp(req) });
+                return res.status(401).json({ error: 'Invalid password' });
+            }
+            const { token, expiresAt } = createAdminToken(passwordHash);
+            await storage.appendAudit(auditRecord(req, 'login', {}));
+            return res.status(200).json({ token, expiresAt });
+        }
+
+        const denied = checkAdminRequest(req);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
+
+        // req.query が空の場合があるので URL からも読む（ranking.js と同じ）
+        const query = req.query && Object.keys(req.query).length > 0
+            ? req.query
+            : Object.fromEntries(new URL(req.url || '', `http://${req.headers.host || 'localhost'}`).searchParams);
+        const mode = req.method === 'GET' ? query.mode : body.mode;
+        if (!RANKED_MODES.includes(mode)) {
+            return res.status(400).json({ error: 'Invalid mode' });
+        }
+        const input = (req.method === 'GET' ? query.input : body.input) || 'mouse';
+        if (!INPUT_DEVICES.includes(input)) {
+            return res.status(400).json({ error: 'Invalid input' });
+        }
+        const board = inputBoard(mode, input);
+
+        if (req.method === 'GET') {
+            if (query.view === 'export') {
+                const entries = (await allEntries(storage, board)).map(toExportEntry);
+                const stamp = new Date().toISOString().slice(0, 10);
+                if (query.format === 'csv') {
+                    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                    res.setHeader('Content-Disposition', `attachment; filename="ranking-${board.replace(':', '-')}-${stamp}.csv"`);
+                    return res.status(200).send(toCsv(entries));
+                }
+                res.setHeader('Content-Disposition', `attachment; filename="ranking-${board.replace(':', '-')}-${stamp}.json"`);
+                return res.status(200).json({ mode, input, exportedAt: new Date().toISOString(), entries });
+            }
+
+            if (query.view === 'flags') {
+                const { flagged, stats } = findSuspiciousEntries(await allEntries(storage, board));
+                return res.status(200).json({
+                    stats,
+                    entries: flagged.map(({ entry, reasons, z }) => ({ ...toExportEntry(entry), reasons, z }))
+                });
+            }
+
+            return res.status(400).json({ error: 'Invalid view' });
+        }
+
+        // インポート: 同じプレイヤー（ID、なければ名前）の記録は効率値が高い方を残す
+        if (body.action === 'import') {
+            let rows;
+            if (body.format === 'csv') {
+                rows = typeof body.data === 'string' ? parseCsv(body.data) : null;
+            } else {
+                let parsed = body.data;
+                if (typeof parsed === 'string') {
+                    try {
+                        parsed = JSON.parse(parsed);
+                    } catch (e) {
+                        return res.status(400).json({ error: 'Invalid JSON' });
+                    }
+                }
+                rows = Array.isArray(parsed) ? parsed : parsed?.entries;
+            }
+            if (!Array.isArray(rows)) {
+                return res.status(400).json({ error: 'Invalid import data' });
+            }
+            if (rows.length > MAX_IMPORT_ROWS) {
+                return res.status(400).json({ error: `Too many rows (max ${MAX_IMPORT_ROWS})` });
+            }
+
+            const valid = rows.map(parseImportRow);
+            const invalid = valid.map((row, i) => row ? null : i + 1).filter(Boolean);
+            if (body.replace === true) {
+                for (const entry of await allEntries(storage, board)) {
+                    await storage.deleteEntry(entry.id);
+                }
+            }
+
+            let imported = 0;
+            let skipped = 0;
+            for (const row of valid) {
+                if (!row) continue;
+                const existing = await storage.getPlayerBest(board, row.playerId || row.name);
+                if (existing && existing.efficiency >= row.efficiency) {
+                    skipped++;
+                    continue;
+                }
+                await storage.addScore(board, { ...row, input });
+                imported++;
+            }
+            await storage.appendAudit(auditRecord(req, 'import', {
+                mode, input, imported, skipped, invalid: invalid.length, replace: body.replace === true
+            }));
+            console.log('Admin import:', { mode, input, imported, skipped, invalid: invalid.length });
+
+            return res.status(200).json({ success: true, imported, skipped, invalidRows: invalid.slice(0, 50), invalid: invalid.length });
+        }
+
+        // 一括削除: 名前のパターン（* ワイルドカード）と登録日（UTC、from〜to を含む）の条件をすべて満たすもの
+        if (body.action === 'bulk-delete') {
+            const namePattern = typeof body.namePattern === 'string' ? body.namePattern.trim() : '';
+            const from = body.from || null;
+            const to = body.to || null;
+            if (!namePattern && !from && !to) {
+                return res.status(400).json({ error: 'Specify a name pattern or a date range' });
+            }
+            if ((from && !isDailyDate(from)) || (to && !isDailyDate(to)) || (from && to && from > to)) {
+                return res.status(400).json({ error: 'Invalid date range' });
+            }
+
+            const nameRegExp = namePattern ? namePatternToRegExp(namePattern) : null;
+            const fromTime = from ? Date.parse(`${from}T00:00:00Z`) : -Infinity;
+            const toTime = to ? Date.parse(`${to}T00:00:00Z`) + DAY_MS : Infinity;
+            const matches = (await allEntries(storage, board)).filter(entry =>
+                (!nameRegExp || nameRegExp.test(entry.name)) &&
+                entry.createdAt >= fromTime && entry.createdAt < toTime
+            );
+
+            if (body.dryRun === true) {
+                return res.status(200).json({ dryRun: true, count: matches.length, entries: matches.slice(0, 100).map(toExportEntry) });
+            }
+
+            for (const entry of matches) {
+                await storage.deleteEntry(entry.id);
+            }
+            await storage.appendAudit(auditRecord(req, 'bulk-delete', {
+                mode, input, namePattern: namePattern || null, from, to, count: matches.length, ids: matches.map(entry => entry.id)
+            }));
+            console.log('Admin bulk delete:', { mode, input, namePattern, from, to, count: matches.length });
+
+            return res.status(200).json({ success: true, count: matches.length });
+        }
+
+        // 怪しいエントリを確認済みにする（問題があれば通常の削除を使う）
+        if (body.action === 'review') {
+            const result = await storage.updateEntry(body.id, { reviewedAt: Date.now() });
+            if (!result || result.conflict) {
+                return res.status(404).json({ error: 'Score not found' });
+            }
+            await storage.appendAudit(auditRecord(req, 'review', { id: body.id, mode, after: result.after }));
+            return res.status(200).json({ success: true });
+        }
+
+        return res.status(400).json({ error: 'Invalid action' });
+    } catch (error) {
+        return sendServerError(res, error, 'Admin API', storage);
+    }
+}
@@ -0,0 +1,103 @@
+// Vercel Serverless Function for Player Identity
+// POST { name }:          プレイヤーIDを発行（表示名を確保し、claim トークンと復旧コードを返す）
+// POST { recoveryCode }:  復旧コードで別の端末に引き継ぐ
+// PUT  { playerId, playerToken, name }: 表示名の変更（マウス・コントローラーの現在のランキングのエントリにも反映）
+// 表示名が規則に合わない場合は 400 { error: 'Invalid name', reason }（reason は _lib/player.js の validateDisplayName）
+
+import { RANKED_MODES, INPUT_DEVICES, inputBoard } from './_lib/session.js';
+import { createStorage } from './_lib/storage.js';
+import {
+    newPlayerId, newPlayerToken, hashPlayerToken, validateDisplayName, nameKey,
+    formatRecoveryCode, parseRecoveryCode, authenticatePlayer
+} from './_lib/player.js';
+import { applyCors, rateLimited, clientIp, sendServerError, sendConfigError } from './_lib/http.js';
+
+export default async function handler(req, res) {
+    if (applyCors(req, res, 'POST, PUT')) return;
+
+    if (req.method !== 'POST' && req.method !== 'PUT') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const storage = createStorage();
+    if (!storage) {
+        return sendConfigError(res, 'Missing storage configuration for player identity');
+    }
+
+    try {
+        const body = req.body || {};
+
+        // 復旧コードでの引き継ぎ（トークンはそのまま。コードを知っている端末はすべて同じプレイヤー）
+        if (req.method === 'POST' && body.recoveryCode !== undefined) {
+            const parsed = parseRecoveryCode(body.recoveryCode);
+            const account = parsed && await authenticatePlayer(storage, parsed.playerId, parsed.token);
+            if (!account) {
+                return res.status(401).json({ error: 'Invalid recovery code' });
+            }
+            console.log('Player recovered:', { playerId: account.id });
+            return res.status(200).json({
+                playerId: account.id,
+                playerToken: parsed.token,
+                name: account.name,
+                recoveryCode: formatRecoveryCode(account.id, parsed.token)
+            });
+        }
+
+        const { name, reason } = validateDisplayName(body.name);
+        if (!name) {
+            return res.status(400).json({ error: 'Invalid name', reason });
+        }
+
+        // 新規発行
+        if (req.method === 'POST') {
+            if (await rateLimited(storage, res, 'playerRegisterIp', clientIp(req))) return;
+            const playerId = newPlayerId();
+            if (!(await storage.claimName(nameKey(name), playerId))) {
+                return res.status(409).json({ error: 'Name already taken' });
+            }
+            const token = newPlayerToken();
+            await storage.savePlayer({
+                id: playerId,
+                name: name,
+                tokenHash: hashPlayerToken(token),
+                createdAt: Date.now()
+            });
+            console.log('Player registered:', { playerId, name });
+            return res.status(200).json({
+                playerId,
+                playerToken: token,
+                name,
+                recoveryCode: formatRecoveryCode(playerId, token)
+            });
+        }
+
+        // 表示名の変更
+        const account = await authenticatePlayer(storage, body.playerId, body.playerToken);
+        if (!account) {
+            return res.status(401).json({ error: 'Invalid player credentials' });
+        }
+        if (await rateLimited(storage, res, 'playerRenamePlayer', account.id)) return;
+        if (name === account.name) {
+            return res.status(200).json({ playerId: account.id, name });
+        }
+        if (!(await storage.claimName(nameKey(name), account.id))) {
+            return res.status(409).json({ error: 'Name already taken' });
+        }
+        if (nameKey(account.name) !== nameKey(name)) {
+            await storage.releaseName(nameKey(account.name), account.id);
+        }
+        await storage.savePlayer({ ...account, name, updatedAt: Date.now() });
+
+        // 各モード・入力デバイスの現在のエントリの表示名も変える（デイリーの過去の記録は挑戦時の名前のまま）
+        const boards = RANKED_MODES.flatMap(mode => INPUT_DEVICES.map(input => inputBoard(mode, input)));
+        for (const board of boards) {
+            const entry = await storage.getPlayerBest(board, account.id);
+            if (entry) await storage.updateEntry(entry.id, { name });
+        }
+        console.log('Player renamed:', { playerId: account.id, from: account.name, to: name });
+
+        return res.status(200).json({ playerId: account.id, name });
+    } catch (error) {
+        return sendServerError(res, error, 'Player API', storage);
+    }
+}
@@ -0,0 +1,86 @@
+// Vercel Serverless Function for Run Sessions
+// ワールドランキング用のプレイを開始する前に署名付きセッションを発行する
+
+import { createSession, RANKED_MODES, DAILY_RULES, INPUT_DEVICES, dailyChallenge, utcDate } from './_lib/session.js';
+import { createStorage } from './_lib/storage.js';
+import { authenticatePlayer } from './_lib/player.js';
+import { applyCors, rateLimited, clientIp, sendServerError, sendConfigError } from './_lib/http.js';
+
+const DAILY_ATTEMPT_TTL = 2 * 24 * 60 * 60; // 日付が変わった後に送信されるランの分も含めて保持
+
+export default async function handler(req, res) {
+    if (applyCors(req, res, 'POST')) return;
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const SESSION_SECRET = process.env.SESSION_SECRET;
+    if (!SESSION_SECRET) {
+        return sendConfigError(res, 'Missing environment variable: SESSION_SECRET');
+    }
+
+    // セッションの発行回数もレート制限に数える（記録の送信より先に大量のセッションを集められないようにする）
+    const storage = createStorage();
+    if (!storage) {
+        return sendConfigError(res, 'Missing storage configuration for run sessions');
+    }
+
+    try {
+        if (await rateLimited(storage, res, 'sessionIp', clientIp(req))) return;
+        return await issueSession(req, res, storage, SESSION_SECRET);
+    } catch (error) {
+        return sendServerError(res, error, 'Session API', storage);
+    }
+}
+
+async function issueSession(req, res, storage, SESSION_SECRET) {
+    // 入力デバイス（開始時にコントローラーがつながっていれば gamepad）。記録するランキングはこの値で決まる
+    const input = req.body?.input ?? 'mouse';
+    if (!INPUT_DEVICES.includes(input)) {
+        return res.status(400).json({ error: 'Invalid input' });
+    }
+
+    // デイリーチャレンジ: 1日1回（プレイヤーIDごと）だけ記録される。挑戦の開始時点で回数を消費する
+    if (req.body?.daily === true) {
+        const account = await authenticatePlayer(storage, req.body.playerId, req.body.playerToken);
+        if (!account) {
+            return res.status(401).json({ error: 'Invalid player credentials' });
+        }
+
+        const challenge = dailyChallenge(utcDate(), SESSION_SECRET);
+        if (!(await storage.claimOnce(`daily:attempt:${challenge.date}:${account.id}`, DAILY_ATTEMPT_TTL))) {
+            return res.status(409).json({ error: 'Daily attempt already used', date: challenge.date, mode: challenge.mode });
+        }
+
+        const { token, session } = createSession({
+            mode: challenge.mode, ...DAILY_RULES, input, daily: challenge.date, playerId: account.id, seed: challenge.seed
+        }, SESSION_SECRET);
+        console.log('Daily session issued:', { sid: session.sid, date: challenge.date, mode: challenge.mode, input, playerId: account.id });
+
+        return res.status(200).json({ token, seed: session.seed, input, daily: challenge.date, mode: challenge.mode });
+    }
+
+    const { mode } = req.body || {};
+    const duration = parseInt(req.body?.duration);
+    const targetSize = parseInt(req.body?.targetSize);
+    const trackingSpeed = parseFloat(req.body?.trackingSpeed ?? 1);
+
+    if (!RANKED_MODES.includes(mode)) {
+        return res.status(400).json({ error: 'Invalid mode' });
+    }
+
+    // ワールドランキング条件：サイズ50%、秒数30秒のみ
+    if (targetSize !== 50 || duration !== 30) {
+        return res.status(400).json({ error: 'Settings not eligible for world ranking' });
+    }
+
+    if (isNaN(trackingSpeed) || trackingSpeed < 0.25 || trackingSpeed > 2) {
+        return res.status(400).json({ error: 'Invalid tracking speed' });
+    }
+
+    const { token, session } = createSession({ mode, duration, targetSize, trackingSpeed, input }, SESSION_SECRET);
+    console.log('Run session issued:', { sid: session.sid, mode, input });
+
+    return res.status(200).json({ token, seed: session.seed, input });
+}
@@ -0,0 +1,338 @@
+// LANレースのリレーサーバー（2〜8人が同じシードのシナリオを同時にプレイする）
+// 起動: node race-server/index.mjs（Node 16 以上。環境変数 PORT 既定 8787 / HOST 既定 0.0.0.0 /
+//       RACE_ALLOWED_ORIGINS カンマ区切り、未設定ならどのページからでも接続できる）
+// 依存パッケージなし。スコアは各クライアントの自己申告をそのまま中継する（練習会用。ランキングには使わない）
+//
+// クライアント → サーバー
+//   { type: 'create', name, mode, rules: { targetSize, duration, trackingSpeed } }  部屋を作る（作った人がホスト）
+//   { type: 'join', code, name }       部屋に入る
+//   { type: 'start' }                  ホストのみ。全員に準備（クリックしてポインターロック）を求める
+//   { type: 'ready' }                  準備完了
+//   { type: 'progress', score, accuracy }
+//   { type: 'finish', score, accuracy, efficiency, hits, misses }  / { type: 'forfeit' } 辞退・途中でやめた
+//   { type: 'leave' }
+// サーバー → クライアント
+//   { type: 'room', code, you, hostId, mode, rules, phase, players }  部屋の状態が変わるたび
+//   { type: 'prepare', mode, rules }   準備の要求
+//   { type: 'countdown', seed, startsIn, racers }  startsIn ms 後に全員同時に開始
+//   { type: 'progress', id, score, accuracy }
+//   { type: 'results', results: [{ id, name, score, accuracy, efficiency, place }] }（place: null は未完走）
+//   { type: 'error', reason, error }  reason は RACE_ERRORS のキー（クライアントが表示言語の文にする）、error は英文
+
+import http from 'http';
+import crypto from 'crypto';
+import { acceptWebSocket, CLOSE_PROTOCOL_ERROR } from './websocket.mjs';
+
+const RACE_MODES = ['flick', 'tracking', 'reaction', 'gridshot', 'duel'];
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+const MAX_ROOMS = 100;
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // 見間違えやすい I / O / 0 / 1 は使わない
+const CODE_LENGTH = 4;
+const COUNTDOWN_MS = 3000;
+const READY_TIMEOUT_MS = 30 * 1000;  // 準備が間に合わなかった人は今回のレースから外す
+const FINISH_GRACE_MS = 10 * 1000;   // ゲーム時間が過ぎても結果を送ってこない人は未完走
+const MAX_MESSAGE_BYTES = 4 * 1024;
+// ルールの範囲 [最小, 最大]。index.html の RACE_RULE_LIMITS（設定パネルのスライダーの範囲）と同じにすること
+const RACE_RULE_LIMITS = { targetSize: [25, 150], duration: [15, 60], trackingSpeed: [0.25, 2] };
+const MAX_NAME_LENGTH = 12;  // api/_lib/player.js の MAX_NAME_LENGTH と同じにすること
+
+const RACE_ERRORS = {
+    invalid_name: 'Names must be 1 to 12 characters',
+    invalid_mode: 'This mode cannot be used for races',
+    invalid_rules: 'Invalid rules',
+    too_many_rooms: 'Too many rooms',
+    room_not_found: 'Room not found',
+    room_full: `Room is full (max ${MAX_PLAYERS} players)`,
+    race_in_progress: 'A race is in progress',
+    host_only: 'Only the host can start',
+    not_enough_players: `At least ${MIN_PLAYERS} players are needed`,
+    not_enough_ready: `Cancelled: fewer than ${MIN_PLAYERS} players were ready`,
+    invalid_result: 'Invalid result',
+    unknown_message: 'Unknown message'
+};
+
+const rooms = new Map();
+
+// api/_lib/player.js の cleanDisplayName と同じ規則（.js の ES モジュールは古い Node だと CommonJS として読まれるので取り込まない）
+function cleanRacerName(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.normalize('NFKC').trim();
+    return name && name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+function isNum(value, min, max) {
+    return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+}
+
+// ルール（index.html の設定と同じ範囲。的のサイズは %）
+function validateRules(rules) {
+    if (!rules || typeof rules !== 'object') return null;
+    const { targetSize, duration, trackingSpeed } = rules;
+    if (!Number.isInteger(targetSize) || !isNum(targetSize, ...RACE_RULE_LIMITS.targetSize)) return null;
+    if (!Number.isInteger(duration) || !isNum(duration, ...RACE_RULE_LIMITS.duration)) return null;
+    if (!isNum(trackingSpeed, ...RACE_RULE_LIMITS.trackingSpeed)) return null;
+    return { targetSize, duration, trackingSpeed };
+}
+
+function newRoomCode() {
+    for (;;) {
+        const code = Array.from({ length: CODE_LENGTH }, () => CODE_CHARS[crypto.randomInt(CODE_CHARS.length)]).join('');
+        if (!rooms.has(code)) return code;
+    }
+}
+
+function send(player, message) {
+    player.socket.send(JSON.stringify(message));
+}
+
+function errorMessage(reason) {
+    return { type: 'error', reason, error: RACE_ERRORS[reason] };
+}
+
+function broadcast(room, message) {
+    const text = JSON.stringify(message);
+    room.players.forEach(player => player.socket.send(text));
+}
+
+function broadcastRoom(room) {
+    const players = room.players.map(player => ({
+        id: player.id, name: player.name, ready: player.ready, racing: room.racers.has(player.id)
+    }));
+    room.players.forEach(player => send(player, {
+        type: 'room', code: room.code, you: player.id, hostId: room.hostId,
+        mode: room.mode, rules: room.rules, phase: room.phase, players
+    }));
+}
+
+function clearRoomTimer(room) {
+    clearTimeout(room.timer);
+    room.timer = null;
+}
+
+// 準備ができた人だけで開始する
+function startCountdown(room) {
+    clearRoomTimer(room);
+    const ready = room.players.filter(player => player.ready);
+    if (ready.length < MIN_PLAYERS) {
+        room.phase = 'lobby';
+        resetReady(room);
+        broadcastRoom(room);
+        broadcast(room, errorMessage('not_enough_ready'));
+        return;
+    }
+    room.phase = 'playing';
+    room.seed = crypto.randomInt(4294967296);
+    room.racers = new Map(ready.map(player => [player.id, { name: player.name, result: null }]));
+    broadcastRoom(room);
+    broadcast(room, { type: 'countdown', seed: room.seed, startsIn: COUNTDOWN_MS, racers: [...room.racers.keys()] });
+    room.timer = setTimeout(() => finishRace(room), COUNTDOWN_MS + room.rules.duration * 1000 + FINISH_GRACE_MS);
+    console.log('Race started:', { code: room.code, mode: room.mode, racers: room.racers.size });
+}
+
+// 効率値の高い順に順位を付ける（同じ値は同じ順位、未完走は最後）
+function finishRace(room) {
+    clearRoomTimer(room);
+    const finished = [...room.racers.entries()]
+        .map(([id, racer]) => ({ id, name: racer.name, ...racer.result }))
+        .sort((a, b) => (b.efficiency ?? -1) - (a.efficiency ?? -1));
+    const results = finished.map(entry => {
+        if (entry.efficiency === undefined) {
+            return { id: entry.id, name: entry.name, score: null, accuracy: null, efficiency: null, place: null };
+        }
+        const place = finished.findIndex(other => other.efficiency === entry.efficiency) + 1;
+        return { ...entry, place };
+    });
+    room.phase = 'lobby';
+    room.racers = new Map();
+    resetReady(room);
+    broadcast(room, { type: 'results', results });
+    broadcastRoom(room);
+    console.log('Race finished:', { code: room.code, results: results.map(result => [result.name, result.place]) });
+}
+
+// 準備の段階で全員が準備完了か辞退（forfeit）したか
+function everyoneResponded(room) {
+    return room.players.every(player => player.ready || player.declined);
+}
+
+function resetReady(room) {
+    room.players.forEach(player => {
+        player.ready = false;
+        player.declined = false;
+    });
+}
+
+function allRacersDone(room) {
+    return [...room.racers.values()].every(racer => racer.result);
+}
+
+function leaveRoom(player) {
+    const room = player.room;
+    if (!room) return;
+    player.room = null;
+    room.players = room.players.filter(other => other !== player);
+    if (room.players.length === 0) {
+        clearRoomTimer(room);
+        rooms.delete(room.code);
+        console.log('Room closed:', room.code);
+        return;
+    }
+    if (room.hostId === player.id) room.hostId = room.players[0].id;
+    // レース中に抜けた人は未完走として残す
+    const racer = room.racers.get(player.id);
+    if (racer && !racer.result && room.phase === 'playing') racer.result = { forfeit: true };
+    if (room.phase === 'ready' && everyoneResponded(room)) {
+        startCountdown(room);
+        return;
+    }
+    if (room.phase === 'playing' && allRacersDone(room)) {
+        finishRace(room);
+        return;
+    }
+    broadcastRoom(room);
+}
+
+function joinRoom(player, room) {
+    player.room = room;
+    player.ready = false;
+    player.declined = false;
+    room.players.push(player);
+    broadcastRoom(room);
+}
+
+// 受け付けられない場合は RACE_ERRORS のキーを返す
+const handlers = {
+    create(player, message) {
+        const name = cleanRacerName(message.name);
+        const rules = validateRules(message.rules);
+        if (!name) return 'invalid_name';
+        if (!RACE_MODES.includes(message.mode)) return 'invalid_mode';
+        if (!rules) return 'invalid_rules';
+        if (rooms.size >= MAX_ROOMS) return 'too_many_rooms';
+        leaveRoom(player);
+        player.name = name;
+        const room = {
+            code: newRoomCode(), hostId: player.id, mode: message.mode, rules,
+            phase: 'lobby', players: [], racers: new Map(), seed: null, timer: null
+        };
+        rooms.set(room.code, room);
+        joinRoom(player, room);
+        console.log('Room created:', { code: room.code, mode: room.mode });
+    },
+
+    join(player, message) {
+        const name = cleanRacerName(message.name);
+        const room = rooms.get(String(message.code || '').trim().toUpperCase());
+        if (!name) return 'invalid_name';
+        if (!room) return 'room_not_found';
+        if (room === player.room) return null;
+        if (room.players.length >= MAX_PLAYERS) return 'room_full';
+        if (room.phase !== 'lobby') return 'race_in_progress';
+        leaveRoom(player);
+        player.name = name;
+        joinRoom(player, room);
+    },
+
+    start(player) {
+        const room = player.room;
+        if (!room || room.hostId !== player.id) return 'host_only';
+        if (room.phase !== 'lobby') return null;
+        if (room.players.length < MIN_PLAYERS) return 'not_enough_players';
+        room.phase = 'ready';
+        broadcast(room, { type: 'prepare', mode: room.mode, rules: room.rules });
+        broadcastRoom(room);
+        room.timer = setTimeout(() => startCountdown(room), READY_TIMEOUT_MS);
+    },
+
+    ready(player) {
+        const room = player.room;
+        if (!room || room.phase !== 'ready' || player.ready) return null;
+        player.ready = true;
+        if (everyoneResponded(room)) startCountdown(room);
+        else broadcastRoom(room);
+    },
+
+    progress(player, message) {
+        const room = player.room;
+        const racer = room && room.racers.get(player.id);
+        if (!racer || racer.result || !isNum(message.score, -1e6, 1e6) || !isNum(message.accuracy, 0, 100)) return null;
+        broadcast(room, { type: 'progress', id: player.id, score: message.score, accuracy: message.accuracy });
+    },
+
+    finish(player, message) {
+        const room = player.room;
+        const racer = room && room.racers.get(player.id);
+        if (!racer || racer.result) return null;
+        const { score, accuracy, efficiency, hits, misses } = message;
+        if (!isNum(score, -1e6, 1e6) || !isNum(accuracy, 0, 100) || !isNum(efficiency, -1e6, 1e6) ||
+            !Number.isInteger(hits) || !Number.isInteger(misses)) {
+            return 'invalid_result';
+        }
+        racer.result = { score, accuracy, efficiency, hits, misses };
+        if (allRacersDone(room)) finishRace(room);
+    },
+
+    // 準備の段階なら今回のレースを辞退する
+    forfeit(player) {
+        const room = player.room;
+        if (room && room.phase === 'ready' && !player.ready && !player.declined) {
+            player.declined = true;
+            if (everyoneResponded(room)) startCountdown(room);
+            return null;
+        }
+        const racer = room && room.racers.get(player.id);
+        if (!racer || racer.result) return null;
+        racer.result = { forfeit: true };
+        if (allRacersDone(room)) finishRace(room);
+    },
+
+    leave(player) {
+        leaveRoom(player);
+    }
+};
+
+function allowedOrigin(origin, env = process.env) {
+    const allowed = (env.RACE_ALLOWED_ORIGINS || '').split(',').map(value => value.trim()).filter(Boolean);
+    return allowed.length === 0 || allowed.includes(origin);
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`DEADEYE race server (${rooms.size} rooms)\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+    if (!allowedOrigin(req.headers.origin)) {
+        console.warn('Race connection refused:', { origin: req.headers.origin });
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        return;
+    }
+    const connection = acceptWebSocket(req, socket, { maxPayload: MAX_MESSAGE_BYTES });
+    if (!connection) return;
+    const player = { id: 'r' + crypto.randomBytes(6).toString('hex'), name: null, room: null, ready: false, declined: false, socket: connection };
+
+    connection.on('message', text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            connection.close(CLOSE_PROTOCOL_ERROR, 'Invalid JSON');
+            return;
+        }
+        const handler = message && Object.prototype.hasOwnProperty.call(handlers, message.type) ? handlers[message.type] : null;
+        if (!handler) {
+            send(player, errorMessage('unknown_message'));
+            return;
+        }
+        const reason = handler(player, message);
+        if (reason) send(player, errorMessage(reason));
+    });
+    connection.on('close', () => leaveRoom(player));
+});
+
+const port = parseInt(process.env.PORT) || 8787;
+const host = process.env.HOST || '0.0.0.0';
+server.listen(port, host, () => {
+    console.log(`Race server listening on ws://${host}:${port}`);
+});
@@ -0,0 +1,174 @@
+// 最小限の WebSocket サーバー実装（RFC 6455）
+// レースのリレーを依存パッケージなしで動かすため、テキストメッセージ・ping/pong・close だけ扱う。
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+const PING_INTERVAL_MS = 30 * 1000;
+
+// close のステータスコード
+export const CLOSE_NORMAL = 1000;
+export const CLOSE_PROTOCOL_ERROR = 1002;
+export const CLOSE_UNSUPPORTED = 1003;
+export const CLOSE_TOO_LARGE = 1009;
+
+// HTTP の upgrade 要求を受け入れて接続を返す（WebSocket の要求でなければ 400 で閉じて null）
+export function acceptWebSocket(req, socket, { maxPayload = 64 * 1024 } = {}) {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    return new WebSocketConnection(socket, maxPayload);
+}
+
+// 'message'（文字列）と 'close' を発行する
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, maxPayload) {
+        super();
+        this.socket = socket;
+        this.maxPayload = maxPayload;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // 分割されたテキストメッセージ
+        this.closed = false;
+        this.alive = true;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', error => {
+            console.warn('WebSocket socket error:', error.message);
+            this.finish();
+        });
+        this.pingTimer = setInterval(() => {
+            if (!this.alive) {
+                socket.destroy();
+                return;
+            }
+            this.alive = false;
+            this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+        }, PING_INTERVAL_MS);
+    }
+
+    send(text) {
+        if (!this.closed) this.sendFrame(OPCODES.text, Buffer.from(text));
+    }
+
+    close(code = CLOSE_NORMAL, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        clearInterval(this.pingTimer);
+        this.emit('close');
+    }
+
+    // サーバーからのフレームはマスクしない
+    sendFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // バッファの先頭から1フレーム取り出す（揃っていなければ null）
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(this.maxPayload) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+        // クライアントからのフレームは必ずマスクされる
+        if (!masked) {
+            this.close(CLOSE_PROTOCOL_ERROR, 'Unmasked frame');
+            return null;
+        }
+        if (length > this.maxPayload) {
+            this.close(CLOSE_TOO_LARGE, 'Message too large');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        this.alive = true;
+        if (opcode === OPCODES.ping) {
+            this.sendFrame(OPCODES.pong, payload);
+        } else if (opcode === OPCODES.close) {
+            this.close();
+        } else if (opcode === OPCODES.binary) {
+            this.close(CLOSE_UNSUPPORTED, 'Text messages only');
+        } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+            if (opcode === OPCODES.text) this.fragments = [];
+            if (!this.fragments) {
+                this.close(CLOSE_PROTOCOL_ERROR, 'Unexpected continuation');
+                return;
+            }
+            this.fragments.push(payload);
+            const size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+            if (size > this.maxPayload) {
+                this.close(CLOSE_TOO_LARGE, 'Message too large');
+                return;
+            }
+            if (!fin) return;
+            const text = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = null;
+            this.emit('message', text);
+        }
+    }
+}